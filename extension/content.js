@@ -18,8 +18,17 @@ let currentBook = null;
 let isSendingAll = false;
 let kuatoSettings = {
     chunkSize: 2000,
+    chunkUnit: 'characters',
+    chapterPreset: 'auto',
+    customChapterRules: [],
     pastebinService: 'fars.ee',
-    messageFormat: '[From "{title}", Part {chunkIndex}/{chunkCount}] Please read this: {url}'
+    messageFormat: '[From "{title}", Part {chunkIndex}/{chunkCount}] Please read this: {url}',
+    stripMarkdown: false,
+    followNextPages: false,
+    maxPages: 20,
+    subtitleChapterMinutes: 10,
+    recapSentences: 0,
+    showPreviouslyLine: false
 };
 
 // --- UI Creation ---
@@ -39,6 +48,7 @@ function createKuatoPanel() {
               <option value="">-- No book selected --</option>
             </select>
             <button id="kuato-rename-book" style="width: auto;">Rename</button>
+            <button id="kuato-rechunk-book" style="width: auto;" title="Split the selected book into chunks again">Re-chunk</button>
           </div>
         </div>
         <div class="kuato-section">
@@ -46,10 +56,14 @@ function createKuatoPanel() {
           <div style="display: flex; gap: 5px;">
             <button id="kuato-load-url">From URL</button>
             <button id="kuato-load-file">From File</button>
+            <button id="kuato-load-text" title="From Clipboard / Paste">Paste</button>
           </div>
-          <input type="file" id="kuato-file-input" style="display: none;" />
+          <input type="file" id="kuato-file-input" style="display: none;" multiple />
+          <div id="kuato-import-queue"></div>
         </div>
         <div class="kuato-section">
+            <button id="kuato-open-library" style="margin-top: 5px;">Library</button>
+            <button id="kuato-open-feeds" style="margin-top: 5px;">Feeds</button>
             <button id="kuato-open-settings" style="margin-top: 5px;">Settings</button>
         </div>
         <div id="kuato-book-info" style="display: none;">
@@ -60,6 +74,7 @@ function createKuatoPanel() {
                 <button id="kuato-send-next">Send Next Chapter</button>
                 <button id="kuato-send-all">Send All</button>
                 <button id="kuato-pause" style="display: none;">Pause</button>
+                <button id="kuato-edit-chunks">Edit Chunks</button>
             </div>
         </div>
     </div>
@@ -96,10 +111,28 @@ function addKuatoPanelStyles() {
         #kuato-panel select { width: 100%; padding: 8px; }
         #kuato-chunks-status { max-height: 150px; overflow-y: auto; border: 1px solid #ddd; padding: 5px; margin-bottom: 10px; }
         .kuato-controls button { margin-top: 5px; }
-        #kuato-settings-modal { position: fixed; top: 0; left: 0; width: 100%; height: 100%; background-color: rgba(0,0,0,0.5); z-index: 10000; display: flex; align-items: center; justify-content: center; }
-        #kuato-settings-content { background-color: #f0f0f0; padding: 20px; border-radius: 5px; width: 400px; }
+        #kuato-settings-modal, #kuato-import-modal, #kuato-paste-modal, #kuato-feeds-modal, #kuato-urls-modal, #kuato-rechunk-modal, #kuato-editor-modal, #kuato-library-modal { position: fixed; top: 0; left: 0; width: 100%; height: 100%; background-color: rgba(0,0,0,0.5); z-index: 10000; display: flex; align-items: center; justify-content: center; }
+        #kuato-settings-content, #kuato-import-content, #kuato-paste-content, #kuato-feeds-content, #kuato-urls-content, #kuato-rechunk-content, #kuato-editor-content, #kuato-library-content { background-color: #f0f0f0; padding: 20px; border-radius: 5px; width: 400px; }
+        #kuato-import-outline { max-height: 200px; overflow-y: auto; border: 1px solid #ddd; padding: 5px; }
+        #kuato-import-outline label { display: block; }
+        #kuato-import-preview, #kuato-import-zip-entries, #kuato-import-chapters, #kuato-paste-chapters { max-height: 150px; overflow-y: auto; white-space: pre-wrap; background-color: #fff; border: 1px solid #ddd; padding: 5px; margin: 0; }
         .kuato-setting { margin-bottom: 15px; }
         .kuato-setting label { display: block; margin-bottom: 5px; }
+        #kuato-feeds-list { max-height: 250px; overflow-y: auto; border: 1px solid #ddd; padding: 5px; }
+        #kuato-library-list { max-height: 300px; overflow-y: auto; border: 1px solid #ddd; padding: 5px; }
+        .kuato-library-book { display: flex; align-items: center; gap: 5px; margin-bottom: 5px; }
+        .kuato-library-book > div { flex-grow: 1; }
+        #kuato-library-undo { display: none; margin-top: 10px; }
+        .kuato-feed { display: flex; justify-content: space-between; align-items: center; gap: 10px; margin-bottom: 5px; }
+        #kuato-import-queue { max-height: 120px; overflow-y: auto; font-size: 12px; margin-top: 5px; }
+        #kuato-import-queue .kuato-job-error { color: #b00020; }
+        #kuato-urls-input { width: 100%; height: 150px; box-sizing: border-box; }
+        #kuato-paste-text { width: 100%; height: 250px; box-sizing: border-box; font-family: inherit; }
+        #kuato-settings-content { max-height: 90vh; overflow-y: auto; }
+        #kuato-editor-content { width: 600px; }
+        #kuato-editor-text { width: 100%; height: 300px; box-sizing: border-box; font-family: inherit; }
+        .kuato-editor-actions { display: flex; flex-wrap: wrap; gap: 5px; }
+        #kuato-setting-chapter-rules { width: 100%; box-sizing: border-box; font-family: monospace; }
         .kuato-setting input, .kuato-setting select { width: 100%; padding: 8px; box-sizing: border-box; }
         .kuato-settings-buttons { text-align: right; margin-top: 20px; }
     `;
@@ -114,8 +147,38 @@ function createSettingsModal() {
         <div id="kuato-settings-content">
             <h2>Kuato Settings</h2>
             <div class="kuato-setting">
-                <label for="kuato-setting-chunk-size">Chunk Size (characters):</label>
-                <input type="number" id="kuato-setting-chunk-size" min="100" max="10000" step="100">
+                <label for="kuato-setting-chunk-size">Chunk Size:</label>
+                <div style="display: flex; gap: 5px;">
+                    <input type="number" id="kuato-setting-chunk-size" min="50" max="10000" step="50">
+                    <select id="kuato-setting-chunk-unit">
+                        <option value="characters">characters</option>
+                        <option value="words">words</option>
+                        <option value="tokens">tokens (approx.)</option>
+                    </select>
+                </div>
+            </div>
+            <div class="kuato-setting">
+                <label for="kuato-setting-chapter-preset">Chapter Detection:</label>
+                <select id="kuato-setting-chapter-preset">
+                    <option value="auto">Automatic (novel, or Gutenberg for Gutenberg e-books)</option>
+                    <option value="novel">Novel (Chapter One, Part II, Prologue...)</option>
+                    <option value="play">Play (Act II, Scene 3...)</option>
+                    <option value="gutenberg">Project Gutenberg (Chapter I., Letter 4, Stave III...)</option>
+                    <option value="numbered">Numbered sections (1. Introduction, 2.3 Methods...)</option>
+                    <option value="none">Custom rules only</option>
+                </select>
+                <label for="kuato-setting-chapter-rules">Custom heading rules (one regular expression per line):</label>
+                <textarea id="kuato-setting-chapter-rules" rows="3" placeholder="^\*\*\* .+ \*\*\*$"></textarea>
+                <small>A line that starts a paragraph and matches a rule becomes a chapter title. Rules are case-sensitive.</small>
+            </div>
+            <div class="kuato-setting">
+                <label for="kuato-setting-recap-sentences">Recap sentences from the previous part (0 for none):</label>
+                <input type="number" id="kuato-setting-recap-sentences" min="0" max="10">
+                <small>Applies to books imported or re-chunked after the change.</small>
+                <label for="kuato-setting-previously-line">
+                    <input type="checkbox" id="kuato-setting-previously-line" style="width: auto;">
+                    Start each part with a "Previously:" line naming the part before it
+                </label>
             </div>
             <div class="kuato-setting">
                 <label for="kuato-setting-pastebin">Pastebin Service:</label>
@@ -129,6 +192,24 @@ function createSettingsModal() {
                 <input type="text" id="kuato-setting-message-format">
                 <small>Placeholders: {title}, {chapter}, {chapterChunkIndex}, {chunkIndex}, {chunkCount}, {url}</small>
             </div>
+            <div class="kuato-setting">
+                <label for="kuato-setting-strip-markdown">
+                    <input type="checkbox" id="kuato-setting-strip-markdown" style="width: auto;">
+                    Strip Markdown syntax when importing .md files
+                </label>
+            </div>
+            <div class="kuato-setting">
+                <label for="kuato-setting-follow-pages">
+                    <input type="checkbox" id="kuato-setting-follow-pages" style="width: auto;">
+                    Follow "next page" links when loading from a URL
+                </label>
+                <label for="kuato-setting-max-pages">Maximum pages to follow:</label>
+                <input type="number" id="kuato-setting-max-pages" min="2" max="200">
+            </div>
+            <div class="kuato-setting">
+                <label for="kuato-setting-subtitle-minutes">Subtitle chapter length (minutes):</label>
+                <input type="number" id="kuato-setting-subtitle-minutes" min="1" max="120">
+            </div>
             <div class="kuato-settings-buttons">
                 <button id="kuato-settings-save">Save & Close</button>
                 <button id="kuato-settings-cancel">Cancel</button>
@@ -138,14 +219,546 @@ function createSettingsModal() {
     document.body.appendChild(modal);
 }
 
+function createImportModal() {
+    const modal = document.createElement('div');
+    modal.id = 'kuato-import-modal';
+    modal.style.display = 'none'; // Hidden by default
+    modal.innerHTML = `
+        <div id="kuato-import-content">
+            <h2>Import Book</h2>
+            <p id="kuato-import-summary"></p>
+            <div id="kuato-import-pdf-options">
+                <div class="kuato-setting">
+                    <label for="kuato-import-pages">Pages to import (e.g. 1-20, 45):</label>
+                    <input type="text" id="kuato-import-pages" placeholder="All pages">
+                </div>
+                <div class="kuato-setting">
+                    <label>Or pick sections from the outline:</label>
+                    <div id="kuato-import-outline"></div>
+                </div>
+            </div>
+            <div id="kuato-import-zip-options">
+                <div class="kuato-setting">
+                    <label><input type="radio" name="kuato-import-zip-mode" value="single" style="width: auto;" checked> One book, with a chapter per file</label>
+                    <label><input type="radio" name="kuato-import-zip-mode" value="separate" style="width: auto;"> A separate book for each file</label>
+                </div>
+                <div class="kuato-setting">
+                    <label>Files, in import order:</label>
+                    <pre id="kuato-import-zip-entries"></pre>
+                </div>
+            </div>
+            <div id="kuato-import-text-options">
+                <div class="kuato-setting">
+                    <label for="kuato-import-encoding">Character encoding:</label>
+                    <select id="kuato-import-encoding"></select>
+                </div>
+                <div class="kuato-setting">
+                    <label>Preview:</label>
+                    <pre id="kuato-import-preview"></pre>
+                </div>
+                <div class="kuato-setting">
+                    <label>Chapters found:</label>
+                    <pre id="kuato-import-chapters"></pre>
+                </div>
+            </div>
+            <div class="kuato-settings-buttons">
+                <button id="kuato-import-confirm">Import</button>
+                <button id="kuato-import-cancel">Cancel</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+function createFeedsModal() {
+    const modal = document.createElement('div');
+    modal.id = 'kuato-feeds-modal';
+    modal.style.display = 'none'; // Hidden by default
+    modal.innerHTML = `
+        <div id="kuato-feeds-content">
+            <h2>Feed Subscriptions</h2>
+            <p>New entries are imported automatically every hour.</p>
+            <div id="kuato-feeds-list"></div>
+            <div class="kuato-settings-buttons">
+                <button id="kuato-feeds-add">Add Feed</button>
+                <button id="kuato-feeds-check">Check Now</button>
+                <button id="kuato-feeds-close">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+function renderFeedsList() {
+    chrome.runtime.sendMessage({ action: 'getFeeds' }, (response) => {
+        const list = document.getElementById('kuato-feeds-list');
+        list.innerHTML = '';
+        if (!response || !response.success || response.feeds.length === 0) {
+            list.textContent = 'No subscriptions yet.';
+            return;
+        }
+        response.feeds.forEach(feed => {
+            const row = document.createElement('div');
+            row.className = 'kuato-feed';
+            const info = document.createElement('div');
+            const mode = feed.appendToBook ? 'chapters of one book' : 'a book per entry';
+            const status = feed.lastError ? `Error: ${feed.lastError}` : `Checked ${new Date(feed.lastChecked).toLocaleString()}`;
+            info.innerHTML = '<strong></strong><br><small></small>';
+            info.querySelector('strong').textContent = feed.title;
+            info.querySelector('small').textContent = `${mode} · ${status}`;
+            const unsubscribeButton = document.createElement('button');
+            unsubscribeButton.textContent = 'Unsubscribe';
+            unsubscribeButton.style.width = 'auto';
+            unsubscribeButton.onclick = () => {
+                if (confirm(`Unsubscribe from "${feed.title}"? Books already imported are kept.`)) {
+                    chrome.runtime.sendMessage({ action: 'unsubscribeFeed', feedId: feed.id }, renderFeedsList);
+                }
+            };
+            row.append(info, unsubscribeButton);
+            list.appendChild(row);
+        });
+    });
+}
+
+function createLibraryModal() {
+    const modal = document.createElement('div');
+    modal.id = 'kuato-library-modal';
+    modal.style.display = 'none'; // Hidden by default
+    modal.innerHTML = `
+        <div id="kuato-library-content">
+            <h2>Manage Library</h2>
+            <label for="kuato-library-show-archived">
+                <input type="checkbox" id="kuato-library-show-archived" style="width: auto;">
+                Show archived books
+            </label>
+            <div id="kuato-library-list"></div>
+            <div id="kuato-library-undo">
+                <span id="kuato-library-undo-text"></span>
+                <button id="kuato-library-undo-button" style="width: auto;">Undo</button>
+            </div>
+            <div class="kuato-settings-buttons">
+                <button id="kuato-library-delete-selected">Delete Selected</button>
+                <button id="kuato-library-close">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+function renderLibraryList() {
+    chrome.runtime.sendMessage({ action: 'listBooks' }, (response) => {
+        const list = document.getElementById('kuato-library-list');
+        list.innerHTML = '';
+        const showArchived = document.getElementById('kuato-library-show-archived').checked;
+        const books = response && response.success ? response.books.filter(book => showArchived || !book.archived) : [];
+        if (books.length === 0) {
+            list.textContent = 'Your library is empty.';
+            return;
+        }
+        books.forEach(book => {
+            const row = document.createElement('div');
+            row.className = 'kuato-library-book';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.style.width = 'auto';
+            checkbox.value = book.id;
+            const info = document.createElement('div');
+            info.innerHTML = '<strong></strong><br><small></small>';
+            info.querySelector('strong').textContent = book.title;
+            info.querySelector('small').textContent = `${book.sentCount}/${book.chunkCount} parts sent${book.archived ? ' · archived' : ''}`;
+
+            const actionButton = (label, onClick) => {
+                const button = document.createElement('button');
+                button.textContent = label;
+                button.style.width = 'auto';
+                button.onclick = onClick;
+                return button;
+            };
+            row.append(checkbox, info,
+                actionButton('Duplicate', () => libraryAction({ action: 'duplicateBook', bookId: book.id })),
+                actionButton(book.archived ? 'Unarchive' : 'Archive', () => libraryAction({ action: 'archiveBook', bookId: book.id, archived: !book.archived })),
+                actionButton('Delete', () => deleteLibraryBooks([book.id])));
+            list.appendChild(row);
+        });
+    });
+}
+
+// Runs a library message, then refreshes the list and the book dropdown.
+function libraryAction(message, onSuccess) {
+    chrome.runtime.sendMessage(message, (response) => {
+        if (response && response.success) {
+            if (onSuccess) onSuccess(response);
+            renderLibraryList();
+            populateLibraryDropdown();
+        } else {
+            alert(`Failed to update the library.\n\nReason: ${response ? response.error : 'An unknown error occurred.'}`);
+        }
+    });
+}
+
+function deleteLibraryBooks(bookIds) {
+    libraryAction({ action: 'deleteBooks', bookIds: bookIds }, (response) => {
+        const count = response.books.length;
+        document.getElementById('kuato-library-undo-text').textContent =
+            count === 1 ? `Deleted "${response.books[0].title}".` : `Deleted ${count} books.`;
+        document.getElementById('kuato-library-undo').style.display = 'block';
+    });
+}
+
+function createUrlsModal() {
+    const modal = document.createElement('div');
+    modal.id = 'kuato-urls-modal';
+    modal.style.display = 'none'; // Hidden by default
+    modal.innerHTML = `
+        <div id="kuato-urls-content">
+            <h2>Load from URL</h2>
+            <div class="kuato-setting">
+                <label for="kuato-urls-input">URLs of the books to load, one per line:</label>
+                <textarea id="kuato-urls-input" placeholder="https://www.gutenberg.org/ebooks/84"></textarea>
+            </div>
+            <div class="kuato-setting">
+                <label for="kuato-urls-encoding">Character encoding:</label>
+                <select id="kuato-urls-encoding"></select>
+            </div>
+            <div class="kuato-settings-buttons">
+                <button id="kuato-urls-confirm">Load</button>
+                <button id="kuato-urls-cancel">Cancel</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Shows or updates a queued import in the panel.
+ * @param {object} job - A job as reported by the background import queue.
+ */
+function renderImportJob(job) {
+    let row = document.getElementById(`kuato-${job.id}`);
+    if (!row) {
+        row = document.createElement('div');
+        row.id = `kuato-${job.id}`;
+        document.getElementById('kuato-import-queue').appendChild(row);
+    }
+
+    let statusText;
+    if (job.status === 'queued') {
+        statusText = 'Queued';
+    } else if (job.status === 'running') {
+        statusText = job.progress || 'Loading...';
+    } else if (job.status === 'done') {
+        statusText = `Loaded "${job.bookTitles.join('", "')}"`;
+        populateLibraryDropdown();
+    } else {
+        statusText = `Failed: ${job.error}`;
+    }
+    row.textContent = `${job.label}: ${statusText}`;
+    row.className = job.status === 'error' ? 'kuato-job-error' : '';
+    row.dataset.status = job.status;
+}
+
+// Finished jobs stay listed until the next batch is queued.
+function enqueueImports(items) {
+    document.querySelectorAll('#kuato-import-queue [data-status="done"], #kuato-import-queue [data-status="error"]')
+        .forEach(row => row.remove());
+    chrome.runtime.sendMessage({ action: 'enqueueImports', items: items }, (response) => {
+        if (!response || !response.success) {
+            alert('Failed to queue the imports.');
+            console.error('Kuato - Failed to queue imports. Full response:', response);
+        }
+    });
+}
+
+function createRechunkModal() {
+    const modal = document.createElement('div');
+    modal.id = 'kuato-rechunk-modal';
+    modal.style.display = 'none'; // Hidden by default
+    modal.innerHTML = `
+        <div id="kuato-rechunk-content">
+            <h2>Re-chunk Book</h2>
+            <p>Splits the book again without re-importing it. Parts you have already sent stay marked as sent.</p>
+            <div class="kuato-setting">
+                <label for="kuato-rechunk-size">Chunk Size:</label>
+                <div style="display: flex; gap: 5px;">
+                    <input type="number" id="kuato-rechunk-size" min="50" max="10000" step="50">
+                    <select id="kuato-rechunk-unit">
+                        <option value="characters">characters</option>
+                        <option value="words">words</option>
+                        <option value="tokens">tokens (approx.)</option>
+                    </select>
+                </div>
+            </div>
+            <div class="kuato-settings-buttons">
+                <button id="kuato-rechunk-confirm">Re-chunk</button>
+                <button id="kuato-rechunk-cancel">Cancel</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+function createPasteModal() {
+    const modal = document.createElement('div');
+    modal.id = 'kuato-paste-modal';
+    modal.style.display = 'none'; // Hidden by default
+    modal.innerHTML = `
+        <div id="kuato-paste-content">
+            <h2>Paste Text</h2>
+            <div class="kuato-setting">
+                <label for="kuato-paste-title">Title:</label>
+                <input type="text" id="kuato-paste-title" placeholder="Pasted Text">
+            </div>
+            <div class="kuato-setting">
+                <label for="kuato-paste-text">Text:</label>
+                <textarea id="kuato-paste-text"></textarea>
+                <small id="kuato-paste-stats"></small>
+            </div>
+            <div class="kuato-setting">
+                <label>Chapters found:</label>
+                <pre id="kuato-paste-chapters"></pre>
+            </div>
+            <div class="kuato-settings-buttons">
+                <button id="kuato-paste-clipboard">Paste from Clipboard</button>
+                <button id="kuato-paste-confirm">Import</button>
+                <button id="kuato-paste-cancel">Cancel</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+let pasteStatsTimer = null;
+
+// A quick estimate for the paste editor, measured in the background, which
+// owns the token estimate. The splitter breaks at paragraph and sentence
+// boundaries, so the final count can be slightly higher.
+function updatePasteStats() {
+    clearTimeout(pasteStatsTimer);
+    pasteStatsTimer = setTimeout(() => {
+        const text = document.getElementById('kuato-paste-text').value.trim();
+        chrome.runtime.sendMessage({ action: 'measureText', text: text }, (response) => {
+            if (!response || !response.success) return;
+            const unit = kuatoSettings.chunkUnit || 'characters';
+            const chunkCount = Math.ceil(response[unit] / kuatoSettings.chunkSize);
+            document.getElementById('kuato-paste-stats').textContent =
+                `${response.characters.toLocaleString()} characters, ~${response.tokens.toLocaleString()} tokens, ` +
+                `about ${chunkCount} chunk${chunkCount === 1 ? '' : 's'} of ${kuatoSettings.chunkSize} ${unit}`;
+        });
+        chrome.runtime.sendMessage({ action: 'previewChapters', text: text }, (response) => {
+            if (!response || !response.success) return;
+            document.getElementById('kuato-paste-chapters').textContent = formatChapterPreview(response.chapters);
+        });
+    }, 300);
+}
+
+// Lists the chapters the background would create, with their lengths.
+function formatChapterPreview(chapters) {
+    return chapters.map(chapter => `${chapter.title} (${chapter.length.toLocaleString()} characters)`).join('\n');
+}
+
+/**
+ * Parses a page selection such as "1-20, 45".
+ * @returns {(Array<{start: number, end: number}>|null)} An empty array for
+ *   "all pages", or null if the selection is invalid.
+ */
+function parsePageRanges(text, numPages) {
+    if (!text.trim()) return [];
+    const ranges = [];
+    for (const part of text.split(',')) {
+        const match = /^\s*(\d+)\s*(?:-\s*(\d+))?\s*$/.exec(part);
+        if (!match) return null;
+        const start = parseInt(match[1], 10);
+        const end = match[2] ? parseInt(match[2], 10) : start;
+        if (start < 1 || end > numPages || start > end) return null;
+        ranges.push({ start, end });
+    }
+    return ranges;
+}
+
+function formatPageRanges(ranges) {
+    const merged = [];
+    [...ranges].sort((a, b) => a.start - b.start).forEach(range => {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end + 1) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ ...range });
+        }
+    });
+    return merged.map(r => (r.start === r.end ? `${r.start}` : `${r.start}-${r.end}`)).join(', ');
+}
+
+/**
+ * Turns PDF outline entries into page ranges. A section runs until the next
+ * entry at the same or a higher level.
+ */
+function getOutlineSections(outline, numPages) {
+    return outline.map((entry, i) => {
+        const next = outline.slice(i + 1).find(other => other.depth <= entry.depth);
+        const start = entry.pageIndex + 1;
+        const end = next ? Math.max(start, next.pageIndex) : numPages;
+        return { title: entry.title, depth: entry.depth, start, end };
+    });
+}
+
+// Encodings offered when auto-detection gets a text file wrong.
+const TEXT_ENCODINGS = [
+    ['utf-8', 'Unicode (UTF-8)'],
+    ['utf-16le', 'Unicode (UTF-16LE)'],
+    ['windows-1252', 'Western (Windows-1252)'],
+    ['iso-8859-2', 'Central European (ISO-8859-2)'],
+    ['windows-1251', 'Cyrillic (Windows-1251)'],
+    ['koi8-r', 'Cyrillic (KOI8-R)'],
+    ['iso-8859-7', 'Greek (ISO-8859-7)'],
+    ['shift_jis', 'Japanese (Shift_JIS)'],
+    ['euc-jp', 'Japanese (EUC-JP)'],
+    ['gbk', 'Chinese Simplified (GBK)'],
+    ['big5', 'Chinese Traditional (Big5)'],
+    ['euc-kr', 'Korean (EUC-KR)']
+];
+
+/**
+ * Shows the import dialog for an inspected file: page selection for PDFs,
+ * one book or a book per file for ZIP archives, and encoding selection with
+ * a preview for text files.
+ * @param {string} content - The file as a data URL, for refreshing the preview.
+ * @param {function(?object)} onConfirm - Called with the extra `loadFile`
+ *   options, or null if the user cancelled.
+ */
+function openImportDialog(filename, content, inspection, onConfirm) {
+    const modal = document.getElementById('kuato-import-modal');
+    const isPdf = inspection.type === 'pdf';
+    const isZip = inspection.type === 'zip';
+    document.getElementById('kuato-import-pdf-options').style.display = isPdf ? 'block' : 'none';
+    document.getElementById('kuato-import-zip-options').style.display = isZip ? 'block' : 'none';
+    document.getElementById('kuato-import-text-options').style.display = isPdf || isZip ? 'none' : 'block';
+
+    if (isZip) {
+        openZipImportOptions(filename, inspection, modal, onConfirm);
+        return;
+    }
+    if (!isPdf) {
+        openTextImportOptions(filename, content, inspection, modal, onConfirm);
+        return;
+    }
+
+    const pagesInput = document.getElementById('kuato-import-pages');
+    const outlineDiv = document.getElementById('kuato-import-outline');
+
+    document.getElementById('kuato-import-summary').textContent = `${filename} (${inspection.numPages} pages)`;
+    pagesInput.value = '';
+    outlineDiv.innerHTML = '';
+
+    const sections = getOutlineSections(inspection.outline, inspection.numPages);
+    const checkboxes = sections.map(section => {
+        const label = document.createElement('label');
+        label.style.paddingLeft = `${section.depth * 15}px`;
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.style.width = 'auto';
+        checkbox.addEventListener('change', () => {
+            pagesInput.value = formatPageRanges(sections.filter((s, i) => checkboxes[i].checked));
+        });
+        label.append(checkbox, ` ${section.title} (p. ${section.start}-${section.end})`);
+        outlineDiv.appendChild(label);
+        return checkbox;
+    });
+    if (sections.length === 0) {
+        outlineDiv.textContent = 'This PDF has no outline.';
+    }
+
+    document.getElementById('kuato-import-confirm').onclick = () => {
+        const pageRanges = parsePageRanges(pagesInput.value, inspection.numPages);
+        if (pageRanges === null) {
+            alert(`Please enter page numbers between 1 and ${inspection.numPages}, e.g. "1-20, 45".`);
+            return;
+        }
+        modal.style.display = 'none';
+        onConfirm({ pageRanges });
+    };
+    document.getElementById('kuato-import-cancel').onclick = () => {
+        modal.style.display = 'none';
+        onConfirm(null);
+    };
+    modal.style.display = 'flex';
+}
+
+function openZipImportOptions(filename, inspection, modal, onConfirm) {
+    document.getElementById('kuato-import-summary').textContent = `${filename} (${inspection.entries.length} files)`;
+    document.getElementById('kuato-import-zip-entries').textContent = inspection.entries.join('\n');
+    document.querySelector('input[name="kuato-import-zip-mode"][value="single"]').checked = true;
+
+    document.getElementById('kuato-import-confirm').onclick = () => {
+        if (inspection.entries.length === 0) {
+            alert('This archive contains no text, HTML, PDF or other supported files.');
+            return;
+        }
+        modal.style.display = 'none';
+        onConfirm({ zipMode: document.querySelector('input[name="kuato-import-zip-mode"]:checked').value });
+    };
+    document.getElementById('kuato-import-cancel').onclick = () => {
+        modal.style.display = 'none';
+        onConfirm(null);
+    };
+    modal.style.display = 'flex';
+}
+
+function openTextImportOptions(filename, content, inspection, modal, onConfirm) {
+    const encodingSelect = document.getElementById('kuato-import-encoding');
+    const preview = document.getElementById('kuato-import-preview');
+
+    document.getElementById('kuato-import-summary').textContent = filename;
+    encodingSelect.innerHTML = '';
+    encodingSelect.add(new Option(`Auto-detect (${inspection.detectedEncoding})`, ''));
+    TEXT_ENCODINGS.forEach(([value, label]) => encodingSelect.add(new Option(label, value)));
+    const chaptersPreview = document.getElementById('kuato-import-chapters');
+    const showInspection = (result) => {
+        preview.textContent = result.preview;
+        // HTML, Markdown and subtitle files are not split by the chapter rules.
+        chaptersPreview.parentElement.style.display = result.chapters ? 'block' : 'none';
+        chaptersPreview.textContent = result.chapters ? formatChapterPreview(result.chapters) : '';
+    };
+    showInspection(inspection);
+
+    encodingSelect.onchange = () => {
+        const textEncoding = encodingSelect.value;
+        chrome.runtime.sendMessage({ action: 'inspectFile', filename, content, textEncoding }, (response) => {
+            // Ignore responses for a selection the user has since changed.
+            if (response && response.success && encodingSelect.value === textEncoding) {
+                showInspection(response);
+            }
+        });
+    };
+
+    document.getElementById('kuato-import-confirm').onclick = () => {
+        modal.style.display = 'none';
+        onConfirm({ textEncoding: encodingSelect.value || undefined });
+    };
+    document.getElementById('kuato-import-cancel').onclick = () => {
+        modal.style.display = 'none';
+        onConfirm(null);
+    };
+    modal.style.display = 'flex';
+}
+
 // --- UI Logic and Rendering ---
 function populateLibraryDropdown() {
-    chrome.runtime.sendMessage({ action: 'getLibrary' }, (response) => {
+    chrome.runtime.sendMessage({ action: 'listBooks' }, (response) => {
         if (response && response.success) {
             const select = document.getElementById('kuato-library-select');
             const currentSelection = select.value;
             select.innerHTML = '<option value="">-- No book selected --</option>';
-            response.library.forEach(book => {
+            // Archived books are only listed in the library manager.
+            response.books.filter(book => !book.archived).forEach(book => {
                 const option = document.createElement('option');
                 option.value = book.id;
                 option.textContent = book.title;
@@ -153,6 +766,11 @@ function populateLibraryDropdown() {
             });
             if (currentSelection) {
                 select.value = currentSelection;
+                if (select.value !== currentSelection) {
+                    // The selected book was deleted or archived.
+                    currentBook = null;
+                    document.getElementById('kuato-book-info').style.display = 'none';
+                }
             }
         }
     });
@@ -175,8 +793,16 @@ function renderBookInfo() {
         }
         const chunkDiv = document.createElement('div');
         const status = chunk.status || 'pending';
-        chunkDiv.textContent = `  Part ${chunk.chapterChunkIndex + 1}: ${status}`;
-        if (status !== 'sent') {
+        // Books imported before token estimates were added have none.
+        const tokens = chunk.estimatedTokens !== undefined ? ` (~${chunk.estimatedTokens} tokens)` : '';
+        chunkDiv.textContent = `  Part ${chunk.chapterChunkIndex + 1}${tokens}: ${status}`;
+        const editButton = document.createElement('button');
+        editButton.textContent = 'Edit';
+        editButton.style.width = 'auto';
+        editButton.style.marginLeft = '10px';
+        editButton.onclick = () => openChunkEditor(chunk.chunkIndex);
+        chunkDiv.appendChild(editButton);
+        if (status !== 'sent' && status !== 'skipped') {
             const retryButton = document.createElement('button');
             retryButton.textContent = 'Retry';
             retryButton.style.width = 'auto';
@@ -189,7 +815,201 @@ function renderBookInfo() {
     document.getElementById('kuato-book-info').style.display = 'block';
 }
 
+// --- Chunk Editor ---
+
+let editorChunkIndex = 0;
+
+function createChunkEditorModal() {
+    const modal = document.createElement('div');
+    modal.id = 'kuato-editor-modal';
+    modal.style.display = 'none'; // Hidden by default
+    modal.innerHTML = `
+        <div id="kuato-editor-content">
+            <h2>Edit Chunks</h2>
+            <div class="kuato-setting">
+                <label for="kuato-editor-select">Chunk:</label>
+                <select id="kuato-editor-select"></select>
+            </div>
+            <div class="kuato-setting">
+                <textarea id="kuato-editor-text"></textarea>
+                <small id="kuato-editor-stats"></small>
+            </div>
+            <div class="kuato-editor-actions">
+                <button id="kuato-editor-save">Save Text</button>
+                <button id="kuato-editor-split" title="Split this chunk in two at the cursor">Split at Cursor</button>
+                <button id="kuato-editor-merge-previous">Merge with Previous</button>
+                <button id="kuato-editor-merge-next">Merge with Next</button>
+                <button id="kuato-editor-skip"></button>
+            </div>
+            <div class="kuato-settings-buttons">
+                <button id="kuato-editor-close">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+// Skipped chunks are never sent, but stay in the book.
+function isChunkPending(chunk) {
+    return chunk.status !== 'sent' && chunk.status !== 'skipped';
+}
+
+function openChunkEditor(chunkIndex) {
+    if (!currentBook) {
+        alert('Please select a book first.');
+        return;
+    }
+    editorChunkIndex = chunkIndex;
+    renderChunkEditor();
+    document.getElementById('kuato-editor-modal').style.display = 'flex';
+}
+
+function renderChunkEditor() {
+    const chunks = currentBook.chunks;
+    editorChunkIndex = Math.min(editorChunkIndex, chunks.length - 1);
+    const chunk = chunks[editorChunkIndex];
+
+    const select = document.getElementById('kuato-editor-select');
+    select.innerHTML = '';
+    chunks.forEach((c, i) => {
+        select.add(new Option(`${c.chapter} – Part ${c.chapterChunkIndex + 1} (${c.status || 'pending'})`, i));
+    });
+    select.value = editorChunkIndex;
+
+    document.getElementById('kuato-editor-text').value = chunk.content;
+    document.getElementById('kuato-editor-stats').textContent =
+        `${chunk.content.length.toLocaleString()} characters, ~${(chunk.estimatedTokens || 0).toLocaleString()} tokens`;
+    document.getElementById('kuato-editor-skip').textContent = chunk.status === 'skipped' ? 'Unskip' : 'Skip';
+    // Chunks are only merged within a chapter.
+    const previous = chunks[editorChunkIndex - 1];
+    const next = chunks[editorChunkIndex + 1];
+    document.getElementById('kuato-editor-merge-previous').disabled = !previous || previous.chapter !== chunk.chapter;
+    document.getElementById('kuato-editor-merge-next').disabled = !next || next.chapter !== chunk.chapter;
+}
+
+/**
+ * Sends a change to the background script, which makes it to the stored
+ * chunks and renumbers them, and shows the chunk at `selectIndex`.
+ * @param {object} edit - See `editChunk` in background.js.
+ */
+function saveChunkEdit(edit, selectIndex) {
+    chrome.runtime.sendMessage({ action: 'editChunk', bookId: currentBook.id, revision: currentBook.revision || 0, edit }, (response) => {
+        if (response && response.success && response.book) {
+            currentBook = response.book;
+            editorChunkIndex = selectIndex;
+            renderBookInfo();
+            renderChunkEditor();
+        } else {
+            alert(`Failed to save the chunks.\n\nReason: ${response ? response.error : 'An unknown error occurred.'}`);
+            console.error('Kuato - Failed to save edited chunks. Full response:', response);
+        }
+    });
+}
+
+function mergeEditorChunk(withNext) {
+    const firstIndex = withNext ? editorChunkIndex : editorChunkIndex - 1;
+    saveChunkEdit({ operation: 'merge', chunkIndex: firstIndex }, firstIndex);
+}
+
+function splitEditorChunk() {
+    const textarea = document.getElementById('kuato-editor-text');
+    const before = textarea.value.slice(0, textarea.selectionStart).trim();
+    const after = textarea.value.slice(textarea.selectionStart).trim();
+    if (!before || !after) {
+        alert('Place the cursor where the chunk should be split.');
+        return;
+    }
+    saveChunkEdit({
+        operation: 'split',
+        chunkIndex: editorChunkIndex,
+        content: textarea.value,
+        splitAt: textarea.selectionStart
+    }, editorChunkIndex + 1);
+}
+
+function setupChunkEditor() {
+    const modal = document.getElementById('kuato-editor-modal');
+    const select = document.getElementById('kuato-editor-select');
+    const textarea = document.getElementById('kuato-editor-text');
+    const confirmDiscard = () => textarea.value === currentBook.chunks[editorChunkIndex].content ||
+        confirm('Discard your changes to this chunk?');
+
+    document.getElementById('kuato-edit-chunks').addEventListener('click', () => {
+        const nextChunk = currentBook && currentBook.chunks.find(isChunkPending);
+        openChunkEditor(nextChunk ? nextChunk.chunkIndex : 0);
+    });
+
+    select.addEventListener('change', () => {
+        if (!confirmDiscard()) {
+            select.value = editorChunkIndex;
+            return;
+        }
+        editorChunkIndex = parseInt(select.value, 10);
+        renderChunkEditor();
+    });
+
+    document.getElementById('kuato-editor-save').addEventListener('click', () => {
+        const content = textarea.value.trim();
+        if (!content) {
+            alert('A chunk cannot be empty. Use "Skip" to leave it out instead.');
+            return;
+        }
+        saveChunkEdit({ operation: 'edit', chunkIndex: editorChunkIndex, content }, editorChunkIndex);
+    });
+
+    document.getElementById('kuato-editor-split').addEventListener('click', splitEditorChunk);
+    document.getElementById('kuato-editor-merge-previous').addEventListener('click', () => {
+        if (confirmDiscard()) mergeEditorChunk(false);
+    });
+    document.getElementById('kuato-editor-merge-next').addEventListener('click', () => {
+        if (confirmDiscard()) mergeEditorChunk(true);
+    });
+
+    document.getElementById('kuato-editor-skip').addEventListener('click', () => {
+        if (!confirmDiscard()) return;
+        const chunk = currentBook.chunks[editorChunkIndex];
+        chrome.runtime.sendMessage({
+            action: 'updateChunk',
+            bookId: currentBook.id,
+            chunkIndex: chunk.chunkIndex,
+            revision: currentBook.revision || 0,
+            data: { status: chunk.status === 'skipped' ? 'pending' : 'skipped' }
+        }, (response) => {
+            if (response && response.success && response.book) {
+                currentBook = response.book;
+                renderBookInfo();
+                renderChunkEditor();
+            } else {
+                alert(`Failed to save the chunks.\n\nReason: ${response ? response.error : 'An unknown error occurred.'}`);
+                console.error('Kuato - Failed to skip chunk. Full response:', response);
+            }
+        });
+    });
+
+    document.getElementById('kuato-editor-close').addEventListener('click', () => {
+        if (!confirmDiscard()) return;
+        modal.style.display = 'none';
+    });
+}
+
 // --- Core Functionality ---
+
+/**
+ * Builds the text uploaded for a chunk: a header naming the part, then the
+ * recap of the previous part, if any, marked so it is not read as new text.
+ */
+function buildFullContent(chunk) {
+    let header = `This is from ${chunk.chapter}, part ${chunk.chapterChunkIndex + 1} of the text "${currentBook.title}".`;
+    const previousChunk = currentBook.chunks[chunk.chunkIndex - 1];
+    if (kuatoSettings.showPreviouslyLine && previousChunk) {
+        header += `\nPreviously: ${previousChunk.chapter}, part ${previousChunk.chapterChunkIndex + 1}.`;
+    }
+    const recap = chunk.recap
+        ? `[Recap of the previous part, already sent]\n${chunk.recap}\n\n[New text starts here]\n`
+        : '';
+    return `${header}\n\n---\n\n${recap}${chunk.content}`;
+}
+
 function sendChunk(chunk) {
     if (!chunk || !currentBook) {
         alert('No chunk or book selected.');
@@ -200,7 +1020,7 @@ function sendChunk(chunk) {
     sendNextButton.disabled = true;
     sendNextButton.textContent = 'Waiting for Nomi...';
     
-    const fullContent = `This is from ${chunk.chapter}, part ${chunk.chapterChunkIndex + 1} of the text "${currentBook.title}".\n\n---\n\n${chunk.content}`;
+    const fullContent = buildFullContent(chunk);
 
     chrome.runtime.sendMessage({ action: 'uploadToPastebin', content: fullContent }, (response) => {
         if (response && response.success) {
@@ -229,11 +1049,19 @@ function sendChunk(chunk) {
                         sendButton.click();
                         chunk.status = 'sent';
                         currentBook.lastSentChunk = Math.max(currentBook.lastSentChunk, chunk.chunkIndex);
-                        chrome.runtime.sendMessage({ 
-                            action: 'updateBook', 
-                            bookId: currentBook.id, 
-                            data: { chunks: currentBook.chunks, lastSentChunk: currentBook.lastSentChunk } 
-                        }, () => {
+                        chrome.runtime.sendMessage({
+                            action: 'updateChunk',
+                            bookId: currentBook.id,
+                            chunkIndex: chunk.chunkIndex,
+                            revision: currentBook.revision || 0,
+                            data: { status: 'sent' }
+                        }, (response) => {
+                            if (!response || !response.success) {
+                                isSendingAll = false;
+                                document.getElementById('kuato-send-all').style.display = 'block';
+                                document.getElementById('kuato-pause').style.display = 'none';
+                                alert(`Failed to mark the chunk as sent.\n\nReason: ${response ? response.error : 'An unknown error occurred.'}`);
+                            }
                             renderBookInfo();
                         });
                     }
@@ -255,7 +1083,7 @@ function sendNextChunkInSequence() {
         isSendingAll = false;
         return;
     }
-    const nextChunk = currentBook.chunks.find(c => c.status !== 'sent');
+    const nextChunk = currentBook.chunks.find(isChunkPending);
     if (nextChunk) {
         sendChunk(nextChunk);
     } else {
@@ -282,6 +1110,13 @@ function initializeKuato() {
     addKuatoPanelStyles();
     createKuatoPanel();
     createSettingsModal();
+    createImportModal();
+    createPasteModal();
+    createRechunkModal();
+    createChunkEditorModal();
+    createFeedsModal();
+    createLibraryModal();
+    createUrlsModal();
     populateLibraryDropdown();
 
     // Load settings from storage
@@ -298,8 +1133,17 @@ function initializeKuato() {
 
     openSettingsButton.addEventListener('click', () => {
         document.getElementById('kuato-setting-chunk-size').value = kuatoSettings.chunkSize;
+        document.getElementById('kuato-setting-chunk-unit').value = kuatoSettings.chunkUnit || 'characters';
+        document.getElementById('kuato-setting-chapter-preset').value = kuatoSettings.chapterPreset || 'auto';
+        document.getElementById('kuato-setting-chapter-rules').value = (kuatoSettings.customChapterRules || []).join('\n');
+        document.getElementById('kuato-setting-recap-sentences').value = kuatoSettings.recapSentences || 0;
+        document.getElementById('kuato-setting-previously-line').checked = !!kuatoSettings.showPreviouslyLine;
         document.getElementById('kuato-setting-pastebin').value = kuatoSettings.pastebinService;
         document.getElementById('kuato-setting-message-format').value = kuatoSettings.messageFormat;
+        document.getElementById('kuato-setting-strip-markdown').checked = !!kuatoSettings.stripMarkdown;
+        document.getElementById('kuato-setting-follow-pages').checked = !!kuatoSettings.followNextPages;
+        document.getElementById('kuato-setting-max-pages').value = kuatoSettings.maxPages;
+        document.getElementById('kuato-setting-subtitle-minutes').value = kuatoSettings.subtitleChapterMinutes;
         settingsModal.style.display = 'flex';
     });
 
@@ -308,10 +1152,30 @@ function initializeKuato() {
     });
 
     saveSettingsButton.addEventListener('click', () => {
+        const customChapterRules = document.getElementById('kuato-setting-chapter-rules').value
+            .split('\n').map(rule => rule.trim()).filter(Boolean);
+        for (const rule of customChapterRules) {
+            try {
+                new RegExp(rule, 'u');
+            } catch (e) {
+                alert(`Invalid heading rule "${rule}": ${e.message}`);
+                return;
+            }
+        }
+
         const newSettings = {
             chunkSize: parseInt(document.getElementById('kuato-setting-chunk-size').value, 10),
+            chunkUnit: document.getElementById('kuato-setting-chunk-unit').value,
+            chapterPreset: document.getElementById('kuato-setting-chapter-preset').value,
+            customChapterRules: customChapterRules,
+            recapSentences: Math.max(0, parseInt(document.getElementById('kuato-setting-recap-sentences').value, 10) || 0),
+            showPreviouslyLine: document.getElementById('kuato-setting-previously-line').checked,
             pastebinService: document.getElementById('kuato-setting-pastebin').value,
-            messageFormat: document.getElementById('kuato-setting-message-format').value
+            messageFormat: document.getElementById('kuato-setting-message-format').value,
+            stripMarkdown: document.getElementById('kuato-setting-strip-markdown').checked,
+            followNextPages: document.getElementById('kuato-setting-follow-pages').checked,
+            maxPages: parseInt(document.getElementById('kuato-setting-max-pages').value, 10) || 20,
+            subtitleChapterMinutes: parseInt(document.getElementById('kuato-setting-subtitle-minutes').value, 10) || 10
         };
 
         kuatoSettings = { ...kuatoSettings, ...newSettings };
@@ -320,27 +1184,170 @@ function initializeKuato() {
         settingsModal.style.display = 'none';
         alert('Settings saved.');
     });
-    const loadUrlButton = document.getElementById('kuato-load-url');
-    loadUrlButton.addEventListener('click', () => {
-        const url = prompt('Please enter the URL of the book to load:');
-        if (url) {
-            loadUrlButton.textContent = 'Loading...';
-            loadUrlButton.disabled = true;
-            chrome.runtime.sendMessage({ action: 'loadUrl', url: url }, (response) => {
-                loadUrlButton.textContent = 'From URL';
-                loadUrlButton.disabled = false;
-                if (response && response.success) {
-                    alert(`Book "${response.book.title}" loaded successfully!`);
-                    populateLibraryDropdown();
-                } else {
-                    const errorMessage = response ? response.error : 'An unknown error occurred.';
-                    alert(`Failed to load book.\n\nReason: ${errorMessage}`);
-                    console.error('Kuato - Failed to load book. Full response:', response);
-                }
-            });
+    // Queued imports report their progress here instead of through alerts.
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message.action === 'importProgress') {
+            renderImportJob(message.job);
         }
     });
 
+    const urlsModal = document.getElementById('kuato-urls-modal');
+    const urlsInput = document.getElementById('kuato-urls-input');
+    const urlsEncodingSelect = document.getElementById('kuato-urls-encoding');
+    document.getElementById('kuato-load-url').addEventListener('click', () => {
+        urlsInput.value = '';
+        // Pages are detected one by one; a chosen encoding applies to all of them.
+        urlsEncodingSelect.innerHTML = '';
+        urlsEncodingSelect.add(new Option('Auto-detect', ''));
+        TEXT_ENCODINGS.forEach(([value, label]) => urlsEncodingSelect.add(new Option(label, value)));
+        urlsModal.style.display = 'flex';
+        urlsInput.focus();
+    });
+
+    document.getElementById('kuato-urls-cancel').addEventListener('click', () => {
+        urlsModal.style.display = 'none';
+    });
+
+    document.getElementById('kuato-urls-confirm').addEventListener('click', () => {
+        const urls = urlsInput.value.split('\n').map(line => line.trim()).filter(Boolean);
+        const invalidUrls = urls.filter(url => !/^https?:\/\/\S+$/i.test(url));
+        if (urls.length === 0 || invalidUrls.length > 0) {
+            alert(urls.length === 0 ? 'Please enter at least one URL.' : `These lines are not valid URLs:\n\n${invalidUrls.join('\n')}`);
+            return;
+        }
+        urlsModal.style.display = 'none';
+        const textEncoding = urlsEncodingSelect.value || undefined;
+        enqueueImports(urls.map(url => ({ type: 'url', url: url, textEncoding: textEncoding })));
+    });
+
+    const libraryModal = document.getElementById('kuato-library-modal');
+    document.getElementById('kuato-open-library').addEventListener('click', () => {
+        document.getElementById('kuato-library-undo').style.display = 'none';
+        renderLibraryList();
+        libraryModal.style.display = 'flex';
+    });
+
+    document.getElementById('kuato-library-close').addEventListener('click', () => {
+        libraryModal.style.display = 'none';
+        // Undo is only offered here, so deleted books can now be let go.
+        const undo = document.getElementById('kuato-library-undo');
+        if (undo.style.display !== 'none') {
+            undo.style.display = 'none';
+            chrome.runtime.sendMessage({ action: 'clearDeletedBooks' });
+        }
+    });
+
+    document.getElementById('kuato-library-show-archived').addEventListener('change', renderLibraryList);
+
+    document.getElementById('kuato-library-delete-selected').addEventListener('click', () => {
+        const bookIds = [...document.querySelectorAll('#kuato-library-list input[type="checkbox"]:checked')].map(checkbox => checkbox.value);
+        if (bookIds.length === 0) {
+            alert('Please select the books to delete.');
+            return;
+        }
+        deleteLibraryBooks(bookIds);
+    });
+
+    document.getElementById('kuato-library-undo-button').addEventListener('click', () => {
+        libraryAction({ action: 'undoDeleteBooks' }, () => {
+            document.getElementById('kuato-library-undo').style.display = 'none';
+        });
+    });
+
+    const feedsModal = document.getElementById('kuato-feeds-modal');
+    document.getElementById('kuato-open-feeds').addEventListener('click', () => {
+        renderFeedsList();
+        feedsModal.style.display = 'flex';
+    });
+
+    document.getElementById('kuato-feeds-close').addEventListener('click', () => {
+        feedsModal.style.display = 'none';
+    });
+
+    document.getElementById('kuato-feeds-add').addEventListener('click', () => {
+        const url = prompt('Please enter the URL of the RSS or Atom feed:');
+        if (!url) return;
+        const appendToBook = confirm('Add new entries as chapters of a single book?\n\nOK: one book for the whole feed\nCancel: a separate book for each entry');
+        chrome.runtime.sendMessage({ action: 'subscribeFeed', url: url, appendToBook: appendToBook }, (response) => {
+            if (response && response.success) {
+                alert(`Subscribed to "${response.feed.title}". New entries will be imported automatically.`);
+                renderFeedsList();
+            } else {
+                const errorMessage = response ? response.error : 'An unknown error occurred.';
+                alert(`Failed to subscribe to feed.\n\nReason: ${errorMessage}`);
+                console.error('Kuato - Failed to subscribe to feed. Full response:', response);
+            }
+        });
+    });
+
+    const checkFeedsButton = document.getElementById('kuato-feeds-check');
+    checkFeedsButton.addEventListener('click', () => {
+        checkFeedsButton.textContent = 'Checking...';
+        checkFeedsButton.disabled = true;
+        chrome.runtime.sendMessage({ action: 'checkFeeds' }, (response) => {
+            checkFeedsButton.textContent = 'Check Now';
+            checkFeedsButton.disabled = false;
+            if (response && response.success) {
+                renderFeedsList();
+                populateLibraryDropdown();
+                alert(response.importedCount > 0 ? `Imported ${response.importedCount} new entries.` : 'No new entries.');
+            } else {
+                alert(`Failed to check feeds.\n\nReason: ${response ? response.error : 'An unknown error occurred.'}`);
+            }
+        });
+    });
+
+    const pasteModal = document.getElementById('kuato-paste-modal');
+    const pasteTitleInput = document.getElementById('kuato-paste-title');
+    const pasteTextArea = document.getElementById('kuato-paste-text');
+    const pasteConfirmButton = document.getElementById('kuato-paste-confirm');
+
+    document.getElementById('kuato-load-text').addEventListener('click', () => {
+        pasteTitleInput.value = '';
+        pasteTextArea.value = '';
+        updatePasteStats();
+        pasteModal.style.display = 'flex';
+        pasteTextArea.focus();
+    });
+
+    pasteTextArea.addEventListener('input', updatePasteStats);
+
+    document.getElementById('kuato-paste-clipboard').addEventListener('click', () => {
+        navigator.clipboard.readText().then(text => {
+            pasteTextArea.value = text;
+            updatePasteStats();
+        }).catch(error => {
+            alert('Could not read the clipboard. Please paste the text with Ctrl+V instead.');
+            console.error('Kuato - Clipboard read failed:', error);
+        });
+    });
+
+    document.getElementById('kuato-paste-cancel').addEventListener('click', () => {
+        pasteModal.style.display = 'none';
+    });
+
+    pasteConfirmButton.addEventListener('click', () => {
+        if (!pasteTextArea.value.trim()) {
+            alert('Please paste some text to import.');
+            return;
+        }
+        pasteConfirmButton.textContent = 'Loading...';
+        pasteConfirmButton.disabled = true;
+        chrome.runtime.sendMessage({ action: 'loadText', title: pasteTitleInput.value, text: pasteTextArea.value }, (response) => {
+            pasteConfirmButton.textContent = 'Import';
+            pasteConfirmButton.disabled = false;
+            if (response && response.success) {
+                pasteModal.style.display = 'none';
+                alert(`Book "${response.book.title}" loaded successfully!`);
+                populateLibraryDropdown();
+            } else {
+                const errorMessage = response ? response.error : 'An unknown error occurred.';
+                alert(`Failed to load pasted text.\n\nReason: ${errorMessage}`);
+                console.error('Kuato - Failed to load pasted text. Full response:', response);
+            }
+        });
+    });
+
     const loadFileButton = document.getElementById('kuato-load-file');
     const fileInput = document.getElementById('kuato-file-input');
     loadFileButton.addEventListener('click', () => {
@@ -348,34 +1355,92 @@ function initializeKuato() {
     });
 
     fileInput.addEventListener('change', (event) => {
-        const file = event.target.files[0];
+        const files = Array.from(event.target.files);
+        if (files.length > 1) {
+            // Several files skip the import dialog and go through the queue
+            // with default options.
+            Promise.all(files.map(readFileAsDataUrl))
+                .then(contents => enqueueImports(files.map((f, i) => ({
+                    type: 'file',
+                    filename: f.name,
+                    encoding: 'dataURL',
+                    content: contents[i]
+                }))))
+                .catch(error => {
+                    alert('Error reading files.');
+                    console.error('Kuato - FileReader error:', error);
+                });
+            fileInput.value = '';
+            return;
+        }
+
+        const file = files[0];
         if (!file) {
             return;
         }
 
         const reader = new FileReader();
-        const isPdf = file.name.toLowerCase().endsWith('.pdf');
+        // Files are read as data URLs so binary formats survive message passing
+        // and the background can detect the encoding of text files.
+        const needsImportDialog = !/\.(epub|docx|odt)$/i.test(file.name);
+        const resetLoadFileButton = () => {
+            loadFileButton.textContent = 'From File';
+            loadFileButton.disabled = false;
+        };
+
+        const sendLoadFile = (request) => {
+            chrome.runtime.sendMessage(request, (response) => {
+                resetLoadFileButton();
+                if (response && response.success) {
+                    // ZIP archives can be imported as several books.
+                    if (response.books && response.books.length > 1) {
+                        alert(`${response.books.length} books loaded successfully!`);
+                    } else {
+                        alert(`Book "${response.book.title}" loaded successfully!`);
+                    }
+                    populateLibraryDropdown();
+                } else {
+                    const errorMessage = response ? response.error : 'An unknown error occurred.';
+                    alert(`Failed to load book from file.\n\nReason: ${errorMessage}`);
+                    console.error('Kuato - Failed to load file. Full response:', response);
+                }
+            });
+        };
+
         reader.onload = (e) => {
             const content = e.target.result;
             loadFileButton.textContent = 'Loading...';
             loadFileButton.disabled = true;
 
-            chrome.runtime.sendMessage({
+            const request = {
                 action: 'loadFile',
                 filename: file.name,
-                encoding: isPdf ? 'dataURL' : 'text',
+                encoding: 'dataURL',
                 content: content
-            }, (response) => {
-                loadFileButton.textContent = 'From File';
-                loadFileButton.disabled = false;
-                if (response && response.success) {
-                    alert(`Book "${response.book.title}" loaded successfully!`);
-                    populateLibraryDropdown();
-                } else {
-                    const errorMessage = response ? response.error : 'An unknown error occurred.';
-                    alert(`Failed to load book from file.\n\nReason: ${errorMessage}`);
-                    console.error('Kuato - Failed to load file. Full response:', response);
+            };
+
+            if (!needsImportDialog) {
+                sendLoadFile(request);
+                return;
+            }
+
+            // PDFs get an import dialog so only the wanted pages are extracted,
+            // ZIP archives one to choose between one book and a book per file,
+            // text files one to check the detected encoding.
+            chrome.runtime.sendMessage({ action: 'inspectFile', filename: file.name, content: content }, (inspection) => {
+                if (!inspection || !inspection.success) {
+                    resetLoadFileButton();
+                    const errorMessage = inspection ? inspection.error : 'An unknown error occurred.';
+                    alert(`Failed to read file.\n\nReason: ${errorMessage}`);
+                    return;
                 }
+                openImportDialog(file.name, content, inspection, (importOptions) => {
+                    if (importOptions) {
+                        sendLoadFile({ ...request, ...importOptions });
+                    } else {
+                        resetLoadFileButton();
+                    }
+                });
             });
         };
 
@@ -385,11 +1450,7 @@ function initializeKuato() {
             console.error('Kuato - FileReader error:', e);
         };
 
-        if (isPdf) {
-            reader.readAsDataURL(file);
-        } else {
-            reader.readAsText(file);
-        }
+        reader.readAsDataURL(file);
 
         // Reset the input value to allow loading the same file again
         fileInput.value = '';
@@ -420,6 +1481,47 @@ function initializeKuato() {
         }
     });
 
+    setupChunkEditor();
+
+    const rechunkModal = document.getElementById('kuato-rechunk-modal');
+    document.getElementById('kuato-rechunk-book').addEventListener('click', () => {
+        if (!currentBook) {
+            alert('Please select a book to re-chunk.');
+            return;
+        }
+        document.getElementById('kuato-rechunk-size').value = kuatoSettings.chunkSize;
+        document.getElementById('kuato-rechunk-unit').value = kuatoSettings.chunkUnit || 'characters';
+        rechunkModal.style.display = 'flex';
+    });
+
+    document.getElementById('kuato-rechunk-cancel').addEventListener('click', () => {
+        rechunkModal.style.display = 'none';
+    });
+
+    document.getElementById('kuato-rechunk-confirm').addEventListener('click', () => {
+        const chunkSize = parseInt(document.getElementById('kuato-rechunk-size').value, 10);
+        if (!(chunkSize > 0)) {
+            alert('Please enter a chunk size.');
+            return;
+        }
+        rechunkModal.style.display = 'none';
+        chrome.runtime.sendMessage({
+            action: 'rechunkBook',
+            bookId: currentBook.id,
+            chunkSize: chunkSize,
+            chunkUnit: document.getElementById('kuato-rechunk-unit').value
+        }, (response) => {
+            if (response && response.success) {
+                currentBook = response.book;
+                renderBookInfo();
+                alert(`The book now has ${currentBook.chunks.length} chunks.`);
+            } else {
+                alert(`Failed to re-chunk the book.\n\nReason: ${response ? response.error : 'An unknown error occurred.'}`);
+                console.error('Kuato - Failed to re-chunk book. Full response:', response);
+            }
+        });
+    });
+
     const panel = document.getElementById('kuato-panel');
     const toggleButton = document.getElementById('kuato-toggle-collapse');
 
@@ -455,7 +1557,7 @@ function initializeKuato() {
     const sendNextButton = document.getElementById('kuato-send-next');
     sendNextButton.addEventListener('click', () => {
         if (currentBook) {
-            const nextChunk = currentBook.chunks.find(c => c.status !== 'sent');
+            const nextChunk = currentBook.chunks.find(isChunkPending);
             if (nextChunk) {
                 sendChunk(nextChunk);
             } else {
@@ -13,21 +13,29 @@ async function handleMessages(request, sender, sendResponse) {
   }
 
   if (request.action === 'parseHtml') {
-    const { html } = request;
+    const { html, url } = request;
     
     try {
       const doc = new DOMParser().parseFromString(html, 'text/html');
-      const reader = new Readability(doc);
+      // Look for the next page before Readability strips the navigation.
+      const nextUrl = url ? findNextPageUrl(doc, url) : null;
+      // Keep Project Gutenberg's chapter markers, which Readability would
+      // otherwise strip along with every other class name.
+      const reader = new Readability(doc, { classesToPreserve: ['chapter'] });
       const article = reader.parse();
       
       if (!article) {
         throw new Error('Readability parsing returned null.');
       }
 
+      const { textContent, chapters } = htmlToChapters(parseHtmlFragment(article.content));
       sendResponse({ success: true, article: {
         title: article.title,
-        textContent: article.textContent
-      }});
+        content: article.content,
+        textContent: textContent,
+        chapters: chapters,
+        language: article.lang
+      }, nextUrl });
 
     } catch (e) {
       console.error('[Kuato Offscreen] Error parsing HTML:', e);
@@ -38,49 +46,987 @@ async function handleMessages(request, sender, sendResponse) {
   }
 
   if (request.action === 'parsePdf') {
-    const { pdfDataUrl } = request;
+    const { pdfDataUrl, pageRanges } = request;
     (async () => {
         try {
             // Decode the base64 data URL here, right before it's used.
-            const base64Data = pdfDataUrl.split(',')[1];
-            const binaryStr = atob(base64Data);
-            const len = binaryStr.length;
-            const pdfData = new Uint8Array(len);
-            for (let i = 0; i < len; i++) {
-                pdfData[i] = binaryStr.charCodeAt(i);
-            }
+            const pdfData = dataUrlToBytes(pdfDataUrl);
+            const { textContent, chapters } = await parsePdf(pdfData, pageRanges);
+            sendResponse({ success: true, textContent, chapters });
 
-            const { pdfjsLib } = globalThis;
-            pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL('lib/pdfjs/pdf.worker.mjs');
+        } catch (error) {
+            console.error('[Kuato Offscreen] Error parsing PDF:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    })();
+    return true;
+  }
 
-            const loadingTask = pdfjsLib.getDocument({
-                data: pdfData,
-                cMapUrl: chrome.runtime.getURL('lib/pdfjs/cmaps/'),
-                cMapPacked: true,
+  if (request.action === 'inspectPdf') {
+    const { pdfDataUrl } = request;
+    (async () => {
+        try {
+            const pdf = await loadPdfDocument(dataUrlToBytes(pdfDataUrl));
+            const outline = await readPdfOutline(pdf);
+            sendResponse({
+                success: true,
+                numPages: pdf.numPages,
+                outline: outline.map(({ title, pageIndex, depth }) => ({ title, pageIndex, depth }))
             });
+        } catch (error) {
+            console.error('[Kuato Offscreen] Error inspecting PDF:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    })();
+    return true;
+  }
 
-            const pdf = await loadingTask.promise;
-            let fullText = '';
-
-            for (let i = 1; i <= pdf.numPages; i++) {
-                const page = await pdf.getPage(i);
-                const textContent = await page.getTextContent();
-                const pageText = textContent.items.map(item => item.str).join(' ');
-                fullText += pageText + '\n\n';
-            }
+  if (request.action === 'parseEpub') {
+    const { epubDataUrl } = request;
+    (async () => {
+        try {
+            const epub = await parseEpub(dataUrlToBytes(epubDataUrl));
+            sendResponse({ success: true, ...epub });
+        } catch (error) {
+            console.error('[Kuato Offscreen] Error parsing EPUB:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    })();
+    return true;
+  }
 
-            sendResponse({ success: true, textContent: fullText.trim() });
+  if (request.action === 'parseDocx' || request.action === 'parseOdt') {
+    const isDocx = request.action === 'parseDocx';
+    const dataUrl = isDocx ? request.docxDataUrl : request.odtDataUrl;
+    (async () => {
+        try {
+            const bytes = dataUrlToBytes(dataUrl);
+            const parsed = isDocx ? await parseDocx(bytes) : await parseOdt(bytes);
+            sendResponse({ success: true, ...parsed });
+        } catch (error) {
+            console.error(`[Kuato Offscreen] Error parsing ${isDocx ? 'DOCX' : 'ODT'}:`, error);
+            sendResponse({ success: false, error: error.message });
+        }
+    })();
+    return true;
+  }
 
+  if (request.action === 'unzipArchive') {
+    const { zipDataUrl, listOnly, entryPattern } = request;
+    (async () => {
+        try {
+            const bytes = dataUrlToBytes(zipDataUrl);
+            // Entries are filtered before they are read, so images and the
+            // like are never inflated. Hidden files and Mac resource forks
+            // are never wanted.
+            const wanted = entryPattern ? new RegExp(entryPattern, 'i') : null;
+            const files = Array.from(readZipDirectory(bytes).values()).filter(entry => !entry.name.endsWith('/') &&
+                !/(^|\/)(__MACOSX\/|\.)/.test(entry.name) && (!wanted || wanted.test(entry.name)));
+            const entries = [];
+            for (const entry of files) {
+                // Entries travel back as data URLs, like every other binary file.
+                const dataUrl = listOnly ? undefined : bytesToDataUrl(await readZipEntry(bytes, entry));
+                entries.push({ name: entry.name, dataUrl });
+            }
+            sendResponse({ success: true, entries });
         } catch (error) {
-            console.error('[Kuato Offscreen] Error parsing PDF:', error);
+            console.error('[Kuato Offscreen] Error reading ZIP archive:', error);
             sendResponse({ success: false, error: error.message });
         }
     })();
     return true;
   }
 
+  if (request.action === 'parseFeed') {
+    try {
+      sendResponse({ success: true, feed: parseFeed(request.xml, request.url) });
+    } catch (e) {
+      console.error('[Kuato Offscreen] Error parsing feed:', e);
+      sendResponse({ success: false, error: e.message });
+    }
+    return true;
+  }
+
   return false;
 }
 
+// --- Binary Helpers ---
+
+function dataUrlToBytes(dataUrl) {
+  const binaryStr = atob(dataUrl.split(',')[1]);
+  const len = binaryStr.length;
+  const bytes = new Uint8Array(len);
+  for (let i = 0; i < len; i++) {
+    bytes[i] = binaryStr.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function bytesToDataUrl(bytes) {
+  let binary = '';
+  // Converting in slices keeps String.fromCharCode under the argument limit.
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return 'data:application/octet-stream;base64,' + btoa(binary);
+}
+
+/**
+ * Reads the central directory of a ZIP archive.
+ * @param {Uint8Array} bytes - The raw archive.
+ * @returns {Map<string, object>} Entries keyed by their path inside the archive.
+ */
+function readZipDirectory(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // The end-of-central-directory record sits at the end, followed by an
+  // optional comment of up to 64 KB.
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('Not a valid ZIP archive.');
+  }
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error('Corrupt ZIP central directory.');
+    }
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    entries.set(name, {
+      name,
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      localHeaderOffset: view.getUint32(offset + 42, true)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Extracts a single entry from a ZIP archive.
+ * @param {Uint8Array} bytes - The raw archive.
+ * @param {object} entry - An entry returned by readZipDirectory.
+ * @returns {Promise<Uint8Array>} The uncompressed file contents.
+ */
+async function readZipEntry(bytes, entry) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const header = entry.localHeaderOffset;
+  const dataStart = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+  const data = bytes.subarray(dataStart, dataStart + entry.compressedSize);
+
+  if (entry.method === 0) { // Stored
+    return data;
+  }
+  if (entry.method === 8) { // Deflate
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+  throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}.`);
+}
+
+async function readZipText(bytes, entries, name) {
+  const entry = entries.get(name);
+  if (!entry) {
+    throw new Error(`Missing file in archive: ${name}`);
+  }
+  return new TextDecoder().decode(await readZipEntry(bytes, entry));
+}
+
+// --- Document Helpers ---
+
+// Link text of "next page" links on paginated articles and web serials.
+const NEXT_LINK_TEXT_REGEX = /^(?:next(?:\s+(?:page|chapter|part))?|continue reading)\s*[>»›→]*$/i;
+
+/**
+ * Finds the URL of the next page of a paginated article: a `rel="next"` link,
+ * or an anchor whose text reads like "Next page" or "Next chapter".
+ * @returns {?string} An absolute URL, or null if there is no next page.
+ */
+function findNextPageUrl(doc, baseUrl) {
+  const relNext = doc.querySelector('link[rel~="next"][href], a[rel~="next"][href]');
+  const anchor = relNext || Array.from(doc.querySelectorAll('a[href]'))
+    .find(a => NEXT_LINK_TEXT_REGEX.test(a.textContent.trim()));
+  if (!anchor) return null;
+  try {
+    const nextUrl = new URL(anchor.getAttribute('href'), baseUrl);
+    nextUrl.hash = '';
+    return /^https?:$/.test(nextUrl.protocol) ? nextUrl.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Runs a document through Readability, falling back to the raw body text for
+ * fragments too short for Readability to consider an article.
+ */
+function extractDocumentText(doc) {
+  const article = new Readability(doc.cloneNode(true)).parse();
+  if (article && article.textContent.trim()) {
+    return htmlToChapters(parseHtmlFragment(article.content)).textContent;
+  }
+  return htmlToChapters(doc.body || doc.documentElement).textContent;
+}
+
+function parseHtmlFragment(html) {
+  return new DOMParser().parseFromString(html, 'text/html').body;
+}
+
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE',
+  'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL',
+  'P', 'PRE', 'SECTION', 'TABLE', 'TR', 'UL'
+]);
+
+/**
+ * Converts an HTML tree into paragraph-separated text and, where the markup
+ * provides them, chapters. `<h1>`–`<h3>` elements and Project Gutenberg's
+ * `<div class="chapter">` wrappers start a new chapter; headings directly
+ * following one another are merged into a single chapter title.
+ * @param {Element} root
+ * @returns {{textContent: string, chapters: (Array<{title: string, text: string}>|null)}}
+ *   `chapters` is null when the markup has no chapter structure.
+ */
+function htmlToChapters(root) {
+  const chapters = [{ title: 'Introduction', paragraphs: [] }];
+  let paragraph = '';
+  let chapterDivCount = 0;
+
+  const current = () => chapters[chapters.length - 1];
+  const flushParagraph = () => {
+    const text = paragraph.replace(/[ \t]*\n[ \t]*/g, '\n').trim();
+    if (text) current().paragraphs.push(text);
+    paragraph = '';
+  };
+  const startChapter = (title) => {
+    flushParagraph();
+    const chapter = current();
+    if (chapters.length > 1 && chapter.paragraphs.length === 0) {
+      if (title) chapter.title = chapter.title ? `${chapter.title} — ${title}` : title;
+    } else {
+      chapters.push({ title, paragraphs: [] });
+    }
+  };
+
+  const walk = (node, inPre) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        paragraph += inPre ? child.textContent : child.textContent.replace(/\s+/g, ' ');
+        continue;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE) continue;
+
+      const tag = child.tagName;
+      if (tag === 'BR') {
+        paragraph += '\n';
+      } else if (/^H[1-3]$/.test(tag)) {
+        const title = child.textContent.replace(/\s+/g, ' ').trim();
+        if (title) startChapter(title);
+      } else if (tag === 'DIV' && child.classList.contains('chapter')) {
+        chapterDivCount++;
+        const hasHeading = child.querySelector('h1, h2, h3');
+        // The heading inside the wrapper, if any, supplies the title.
+        startChapter(hasHeading ? '' : `Chapter ${chapterDivCount}`);
+        walk(child, inPre);
+        flushParagraph();
+      } else if (BLOCK_TAGS.has(tag)) {
+        flushParagraph();
+        walk(child, inPre || tag === 'PRE');
+        flushParagraph();
+      } else {
+        walk(child, inPre);
+      }
+    }
+  };
+  walk(root, false);
+  flushParagraph();
+
+  const allParagraphs = chapters.flatMap(chapter => chapter.paragraphs);
+  const result = chapters
+    .filter(chapter => chapter.paragraphs.length > 0)
+    .map(chapter => ({ title: chapter.title || 'Untitled', text: chapter.paragraphs.join('\n\n') }));
+
+  return {
+    textContent: allParagraphs.join('\n\n'),
+    chapters: chapters.length > 1 ? result : null
+  };
+}
+
+/**
+ * Resolves a (possibly relative) href against the path of the file it appears in.
+ * Paths are archive-relative, so a dummy origin is used for the resolution.
+ */
+function resolveZipPath(basePath, href) {
+  const url = new URL(href, `http://zip/${basePath}`);
+  return decodeURIComponent(url.pathname.slice(1)) + url.hash;
+}
+
+// --- PDF Parsing ---
+
+function loadPdfDocument(pdfData) {
+  const { pdfjsLib } = globalThis;
+  pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL('lib/pdfjs/pdf.worker.mjs');
+
+  const loadingTask = pdfjsLib.getDocument({
+    data: pdfData,
+    cMapUrl: chrome.runtime.getURL('lib/pdfjs/cmaps/'),
+    cMapPacked: true,
+  });
+  return loadingTask.promise;
+}
+
+/**
+ * Extracts the text of a PDF.
+ * @param {Uint8Array} pdfData
+ * @param {Array<{start: number, end: number}>} [pageRanges] - 1-based, inclusive
+ *   ranges of pages to extract. All pages are extracted when omitted.
+ */
+async function parsePdf(pdfData, pageRanges) {
+  const pdf = await loadPdfDocument(pdfData);
+  const isSelected = (pageNumber) => !pageRanges || !pageRanges.length ||
+    pageRanges.some(range => pageNumber >= range.start && pageNumber <= range.end);
+
+  const selectedPages = [];
+  for (let i = 1; i <= pdf.numPages; i++) {
+    if (!isSelected(i)) continue;
+    const page = await pdf.getPage(i);
+    const textContent = await page.getTextContent();
+    const { width } = page.getViewport({ scale: 1 });
+    selectedPages.push({ pageIndex: i - 1, lines: orderPdfLines(pdfItemsToLines(textContent.items), width) });
+  }
+  if (selectedPages.length === 0) {
+    throw new Error('The selected page range does not contain any pages.');
+  }
+
+  // Unselected pages stay empty so outline page indexes still line up.
+  const pageTexts = new Array(pdf.numPages).fill('');
+  const cleanedPages = removeRunningHeaders(selectedPages.map(page => page.lines));
+  selectedPages.forEach((page, i) => {
+    pageTexts[page.pageIndex] = pdfLinesToText(cleanedPages[i]);
+  });
+
+  const outline = await readPdfOutline(pdf);
+  return {
+    textContent: joinPdfPages(pageTexts),
+    chapters: outline.length > 0 ? outlineToChapters(outline, pageTexts) : null
+  };
+}
+
+/**
+ * Groups a page's text items into positioned line segments. A new segment
+ * starts after an item flagged `hasEOL`, on a change of baseline, or at a
+ * horizontal jump wide enough to be a column gutter.
+ * @returns {Array<{text: string, x: number, right: number, y: number, fontSize: number}>}
+ */
+function pdfItemsToLines(items) {
+  const lines = [];
+  let line = null;
+
+  for (const item of items) {
+    const [, , c, d, x, y] = item.transform;
+    const fontSize = Math.hypot(c, d) || item.height || 10;
+
+    if (item.str.trim()) {
+      const gap = line ? x - line.right : 0;
+      if (!line || Math.abs(line.y - y) > fontSize * 0.5 || gap < -fontSize || gap > fontSize * 2) {
+        line = { text: '', x, right: x, y, fontSize };
+        lines.push(line);
+      } else if (gap > fontSize * 0.15) {
+        line.text += ' ';
+      }
+      line.text += item.str;
+      line.right = Math.max(line.right, x + item.width);
+    } else if (item.str && line) {
+      line.text += ' ';
+    }
+
+    if (item.hasEOL) line = null;
+  }
+
+  for (const l of lines) {
+    l.text = l.text.replace(/\s+/g, ' ').trim();
+  }
+  return lines;
+}
+
+/**
+ * Sorts line segments into reading order. On multi-column pages each
+ * column is read top to bottom before the next; lines spanning the gutter
+ * (titles, full-width figures) split the page into separately read bands.
+ * Each line is tagged with the column it belongs to.
+ */
+function orderPdfLines(lines, pageWidth) {
+  const sorted = [...lines].sort((a, b) => b.y - a.y || a.x - b.x);
+  const gutter = findColumnGutter(sorted, pageWidth);
+  if (gutter === null) {
+    sorted.forEach(line => { line.column = 'full'; });
+    return sorted;
+  }
+
+  const ordered = [];
+  let left = [];
+  let right = [];
+  const flushBand = () => {
+    ordered.push(...left, ...right);
+    left = [];
+    right = [];
+  };
+
+  for (const line of sorted) {
+    if (line.right <= gutter) {
+      line.column = 'left';
+      left.push(line);
+    } else if (line.x >= gutter) {
+      line.column = 'right';
+      right.push(line);
+    } else {
+      flushBand();
+      line.column = 'full';
+      ordered.push(line);
+    }
+  }
+  flushBand();
+  return ordered;
+}
+
+/**
+ * Looks for a vertical strip in the middle of the page that text lines sit
+ * on either side of but rarely cross.
+ * @returns {(number|null)} The gutter's x coordinate, or null for single-column pages.
+ */
+function findColumnGutter(lines, pageWidth) {
+  if (lines.length < 6 || !pageWidth) return null;
+
+  let best = null;
+  for (let x = pageWidth * 0.3; x <= pageWidth * 0.7; x += pageWidth * 0.01) {
+    let left = 0;
+    let right = 0;
+    let crossing = 0;
+    for (const line of lines) {
+      if (line.right <= x) left++;
+      else if (line.x >= x) right++;
+      else crossing++;
+    }
+    if (left >= 3 && right >= 3 && crossing <= lines.length * 0.2 && (!best || crossing < best.crossing)) {
+      best = { x, crossing };
+    }
+  }
+  return best ? best.x : null;
+}
+
+/**
+ * Drops running headers, footers and page numbers: lines at the top or
+ * bottom edge of a page whose text (with numbers masked) repeats across
+ * many pages.
+ * @param {Array<Array<object>>} pages - The ordered lines of each page.
+ */
+function removeRunningHeaders(pages) {
+  if (pages.length < 3) return pages;
+
+  const edgeKey = (line) => {
+    const text = line.text.toLowerCase();
+    return /^[ivxlcdm]+$/.test(text) ? '#' : text.replace(/\d+/g, '#');
+  };
+  const edges = pages.map(lines => {
+    const byY = [...lines].sort((a, b) => b.y - a.y);
+    return new Set([...byY.slice(0, 2), ...byY.slice(-2)]);
+  });
+
+  const counts = new Map();
+  for (const edgeLines of edges) {
+    for (const key of new Set([...edgeLines].map(edgeKey))) {
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+
+  const threshold = Math.max(3, Math.ceil(pages.length * 0.4));
+  return pages.map((lines, i) =>
+    lines.filter(line => !(edges[i].has(line) && counts.get(edgeKey(line)) >= threshold)));
+}
+
+/**
+ * Joins two pieces of running text, removing a line-end hyphen when the
+ * word continues in lower case.
+ */
+function joinPdfText(text, next, separator) {
+  if (/\p{L}[-\u00AD]$/u.test(text) && /^\p{Ll}/u.test(next)) {
+    return text.slice(0, -1) + next;
+  }
+  return text + separator + next;
+}
+
+/**
+ * Rebuilds paragraphs from a page's ordered lines. A paragraph ends at a
+ * column change, a larger than usual vertical gap, a change of font size, or
+ * before an indented first line.
+ */
+function pdfLinesToText(lines) {
+  const gaps = [];
+  const columnLeft = {};
+  lines.forEach((line, i) => {
+    const prev = lines[i - 1];
+    if (prev && prev.column === line.column && prev.y > line.y) gaps.push(prev.y - line.y);
+    columnLeft[line.column] = Math.min(columnLeft[line.column] ?? Infinity, line.x);
+  });
+  gaps.sort((a, b) => a - b);
+  const lineSpacing = gaps.length ? gaps[Math.floor(gaps.length / 2)] : Infinity;
+
+  const paragraphs = [];
+  let text = '';
+  lines.forEach((line, i) => {
+    const prev = lines[i - 1];
+    const indent = (l) => l.x - columnLeft[l.column];
+    const startsParagraph = !prev ||
+      line.column !== prev.column ||
+      prev.y < line.y ||
+      prev.y - line.y > lineSpacing * 1.4 ||
+      Math.abs(prev.fontSize - line.fontSize) > prev.fontSize * 0.2 ||
+      (indent(line) > line.fontSize * 0.8 && indent(prev) < line.fontSize * 0.3);
+
+    if (startsParagraph) {
+      if (text) paragraphs.push(text);
+      text = line.text;
+    } else {
+      text = joinPdfText(text, line.text, ' ');
+    }
+  });
+  if (text) paragraphs.push(text);
+
+  return paragraphs.join('\n\n');
+}
+
+/**
+ * Joins page texts, continuing a paragraph across the page break when the
+ * page ends mid-sentence and the next one starts in lower case.
+ */
+function joinPdfPages(pageTexts) {
+  return pageTexts.filter(text => text).reduce((text, page) => {
+    if (!text) return page;
+    const continues = !/[.!?:"'”’)\]]$/.test(text) && /^\p{Ll}/u.test(page);
+    return joinPdfText(text, page, continues ? ' ' : '\n\n');
+  }, '');
+}
+
+/**
+ * Flattens the PDF's bookmarks and resolves each destination to a page index.
+ * Entries that point nowhere (e.g. external links) are dropped.
+ * @returns {Promise<Array<{title: string, pageIndex: number}>>} Entries sorted by page.
+ */
+async function readPdfOutline(pdf) {
+  const outline = await pdf.getOutline();
+  if (!outline) return [];
+
+  const entries = [];
+  const visit = async (items, depth) => {
+    for (const item of items) {
+      try {
+        const dest = typeof item.dest === 'string' ? await pdf.getDestination(item.dest) : item.dest;
+        if (Array.isArray(dest)) {
+          const pageIndex = typeof dest[0] === 'number' ? dest[0] : await pdf.getPageIndex(dest[0]);
+          entries.push({ title: item.title.replace(/\s+/g, ' ').trim(), pageIndex, depth });
+        }
+      } catch (error) {
+        console.warn('[Kuato Offscreen] Skipping unresolvable outline entry:', item.title, error);
+      }
+      if (item.items && item.items.length) {
+        await visit(item.items, depth + 1);
+      }
+    }
+  };
+  await visit(outline, 0);
+
+  // Sort by page, keeping outline order for entries on the same page.
+  return entries
+    .map((entry, i) => ({ ...entry, order: i }))
+    .sort((a, b) => a.pageIndex - b.pageIndex || a.order - b.order);
+}
+
+/**
+ * Groups page texts into chapters starting at each outline entry's page.
+ * Entries that share a page are merged into a single chapter title.
+ */
+function outlineToChapters(outline, pageTexts) {
+  const starts = [];
+  for (const entry of outline) {
+    const last = starts[starts.length - 1];
+    if (last && last.pageIndex === entry.pageIndex) {
+      last.title += ` — ${entry.title}`;
+    } else {
+      starts.push({ title: entry.title, pageIndex: entry.pageIndex });
+    }
+  }
+  if (starts[0].pageIndex > 0) {
+    starts.unshift({ title: 'Introduction', pageIndex: 0 });
+  }
+
+  return starts
+    .map((start, i) => {
+      const end = i + 1 < starts.length ? starts[i + 1].pageIndex : pageTexts.length;
+      return { title: start.title, text: joinPdfPages(pageTexts.slice(start.pageIndex, end)) };
+    })
+    .filter(chapter => chapter.text);
+}
+
+// --- EPUB Parsing ---
+
+async function parseEpub(bytes) {
+  const entries = readZipDirectory(bytes);
+
+  const container = new DOMParser().parseFromString(
+    await readZipText(bytes, entries, 'META-INF/container.xml'), 'application/xml');
+  const rootfile = container.getElementsByTagName('rootfile')[0];
+  if (!rootfile) {
+    throw new Error('EPUB container does not reference a package document.');
+  }
+  const opfPath = rootfile.getAttribute('full-path');
+  const opf = new DOMParser().parseFromString(await readZipText(bytes, entries, opfPath), 'application/xml');
+
+  const metadataText = (tagName) => {
+    const el = opf.getElementsByTagNameNS('*', tagName)[0];
+    return el ? el.textContent.trim() : '';
+  };
+
+  const manifest = new Map();
+  for (const item of opf.getElementsByTagNameNS('*', 'item')) {
+    manifest.set(item.getAttribute('id'), {
+      path: resolveZipPath(opfPath, item.getAttribute('href')),
+      mediaType: item.getAttribute('media-type'),
+      properties: item.getAttribute('properties') || ''
+    });
+  }
+
+  const spineEl = opf.getElementsByTagNameNS('*', 'spine')[0];
+  const spine = [...opf.getElementsByTagNameNS('*', 'itemref')]
+    .map(ref => manifest.get(ref.getAttribute('idref')))
+    .filter(item => item && entries.has(item.path));
+
+  const toc = await readEpubToc(bytes, entries, manifest, spineEl);
+
+  const chapters = [];
+  let currentChapter = null;
+  const appendText = (title, text) => {
+    if (title !== null) {
+      currentChapter = { title, text: '' };
+      chapters.push(currentChapter);
+    } else if (!currentChapter) {
+      currentChapter = { title: 'Introduction', text: '' };
+      chapters.push(currentChapter);
+    }
+    if (text) {
+      currentChapter.text += (currentChapter.text ? '\n\n' : '') + text;
+    }
+  };
+
+  for (const [index, item] of spine.entries()) {
+    const html = await readZipText(bytes, entries, item.path);
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const tocEntries = toc.filter(entry => entry.path === item.path);
+
+    if (toc.length === 0) {
+      // Without a table of contents, each spine document becomes a chapter.
+      appendText(doc.title.trim() || `Section ${index + 1}`, extractDocumentText(doc));
+      continue;
+    }
+
+    for (const section of splitDocumentAtAnchors(doc, tocEntries)) {
+      appendText(section.title, extractDocumentText(section.doc));
+    }
+  }
+
+  return {
+    title: metadataText('title'),
+    author: metadataText('creator'),
+    language: metadataText('language'),
+    chapters: chapters.filter(chapter => chapter.text.trim())
+  };
+}
+
+/**
+ * Reads the table of contents from the EPUB 3 navigation document, or from
+ * the EPUB 2 NCX file when there is none.
+ * @returns {Promise<Array<{title: string, path: string, fragment: string}>>} Entries in reading order.
+ */
+async function readEpubToc(bytes, entries, manifest, spineEl) {
+  const toEntry = (title, basePath, href) => {
+    const [path, fragment = ''] = resolveZipPath(basePath, href).split('#');
+    return { title: title.replace(/\s+/g, ' ').trim(), path, fragment };
+  };
+
+  const navItem = [...manifest.values()].find(item => item.properties.split(/\s+/).includes('nav'));
+  if (navItem && entries.has(navItem.path)) {
+    const navDoc = new DOMParser().parseFromString(await readZipText(bytes, entries, navItem.path), 'text/html');
+    const tocNav = [...navDoc.querySelectorAll('nav')]
+      .find(nav => nav.getAttribute('epub:type') === 'toc') || navDoc.querySelector('nav');
+    if (tocNav) {
+      return [...tocNav.querySelectorAll('a[href]')]
+        .map(a => toEntry(a.textContent, navItem.path, a.getAttribute('href')));
+    }
+  }
+
+  const ncxItem = manifest.get(spineEl && spineEl.getAttribute('toc')) ||
+    [...manifest.values()].find(item => item.mediaType === 'application/x-dtbncx+xml');
+  if (ncxItem && entries.has(ncxItem.path)) {
+    const ncx = new DOMParser().parseFromString(await readZipText(bytes, entries, ncxItem.path), 'application/xml');
+    return [...ncx.getElementsByTagNameNS('*', 'navPoint')].map(navPoint => {
+      const label = navPoint.getElementsByTagNameNS('*', 'text')[0];
+      const content = navPoint.getElementsByTagNameNS('*', 'content')[0];
+      return toEntry(label ? label.textContent : '', ncxItem.path, content.getAttribute('src'));
+    });
+  }
+
+  return [];
+}
+
+/**
+ * Splits a spine document at the elements its TOC entries point to.
+ * Content before the first anchor is returned with a null title so it can be
+ * appended to the preceding chapter.
+ * @returns {Array<{title: (string|null), doc: Document}>}
+ */
+function splitDocumentAtAnchors(doc, tocEntries) {
+  const body = doc.body;
+  const points = tocEntries
+    .map(entry => ({ title: entry.title, el: entry.fragment ? doc.getElementById(entry.fragment) : null }))
+    // Only the first entry without a resolvable anchor can claim the start of the file.
+    .filter((point, i, all) => point.el || all.findIndex(p => !p.el) === i)
+    .sort((a, b) => {
+      if (!a.el || !b.el) return (a.el ? 1 : 0) - (b.el ? 1 : 0);
+      return a.el.compareDocumentPosition(b.el) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    });
+
+  if (points.length === 0 || points[0].el) {
+    points.unshift({ title: null, el: null });
+  }
+
+  return points.map((point, i) => {
+    const range = doc.createRange();
+    if (point.el) {
+      range.setStartBefore(point.el);
+    } else {
+      range.setStart(body, 0);
+    }
+    const next = points[i + 1];
+    if (next && next.el) {
+      range.setEndBefore(next.el);
+    } else {
+      range.setEnd(body, body.childNodes.length);
+    }
+
+    const sectionDoc = document.implementation.createHTMLDocument(point.title || '');
+    sectionDoc.body.appendChild(sectionDoc.importNode(range.cloneContents(), true));
+    return { title: point.title, doc: sectionDoc };
+  });
+}
+
+// --- Word Processor Documents (DOCX/ODT) ---
+
+/**
+ * Groups paragraphs into chapters, starting a new chapter at each heading.
+ * @param {Array<{text: string, isHeading: boolean}>} paragraphs
+ * @returns {{textContent: string, chapters: (Array<{title: string, text: string}>|null)}}
+ *   `chapters` is null when the document has no headings.
+ */
+function paragraphsToDocument(paragraphs) {
+  const textContent = paragraphs.map(p => p.text).join('\n\n');
+  if (!paragraphs.some(p => p.isHeading)) {
+    return { textContent, chapters: null };
+  }
+
+  const chapters = [];
+  let currentChapter = null;
+  for (const paragraph of paragraphs) {
+    if (paragraph.isHeading) {
+      currentChapter = { title: paragraph.text.replace(/\s+/g, ' '), paragraphs: [] };
+      chapters.push(currentChapter);
+    } else {
+      if (!currentChapter) {
+        currentChapter = { title: 'Introduction', paragraphs: [] };
+        chapters.push(currentChapter);
+      }
+      currentChapter.paragraphs.push(paragraph.text);
+    }
+  }
+
+  return {
+    textContent,
+    chapters: chapters.map(chapter => ({ title: chapter.title, text: chapter.paragraphs.join('\n\n') }))
+  };
+}
+
+const WORD_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const ODF_OFFICE_NS = 'urn:oasis:names:tc:opendocument:xmlns:office:1.0';
+
+async function readZipXml(bytes, entries, name) {
+  return new DOMParser().parseFromString(await readZipText(bytes, entries, name), 'application/xml');
+}
+
+function closestWordParagraph(node) {
+  while (node && !(node.localName === 'p' && node.namespaceURI === WORD_NS)) {
+    node = node.parentNode;
+  }
+  return node;
+}
+
+function firstElementText(doc, localName) {
+  const el = doc && doc.getElementsByTagNameNS('*', localName)[0];
+  return el ? el.textContent.trim() : '';
+}
+
+async function parseDocx(bytes) {
+  const entries = readZipDirectory(bytes);
+  const body = await readZipXml(bytes, entries, 'word/document.xml');
+
+  // Style ids are localized, so headings are recognised by their style
+  // name, which Word always stores in English.
+  const headingStyles = new Set();
+  if (entries.has('word/styles.xml')) {
+    const styles = await readZipXml(bytes, entries, 'word/styles.xml');
+    for (const style of styles.getElementsByTagNameNS(WORD_NS, 'style')) {
+      const name = style.getElementsByTagNameNS(WORD_NS, 'name')[0];
+      if (name && /^heading [12]$/i.test(name.getAttribute('w:val'))) {
+        headingStyles.add(style.getAttribute('w:styleId'));
+      }
+    }
+  }
+
+  const paragraphs = [];
+  for (const p of body.getElementsByTagNameNS(WORD_NS, 'p')) {
+    let text = '';
+    for (const node of p.getElementsByTagNameNS('*', '*')) {
+      // Text boxes hold paragraphs of their own, which are read separately.
+      if (closestWordParagraph(node.parentNode) !== p) continue;
+      if (node.localName === 't') text += node.textContent;
+      else if (node.localName === 'tab') text += '\t';
+      else if (node.localName === 'br' || node.localName === 'cr') text += '\n';
+    }
+    text = text.trim();
+    if (!text) continue;
+
+    const style = p.getElementsByTagNameNS(WORD_NS, 'pStyle')[0];
+    const styleId = style ? style.getAttribute('w:val') : '';
+    paragraphs.push({ text, isHeading: headingStyles.has(styleId) || /^Heading[12]$/.test(styleId) });
+  }
+
+  const core = entries.has('docProps/core.xml') ? await readZipXml(bytes, entries, 'docProps/core.xml') : null;
+  return {
+    title: firstElementText(core, 'title'),
+    author: firstElementText(core, 'creator'),
+    ...paragraphsToDocument(paragraphs)
+  };
+}
+
+async function parseOdt(bytes) {
+  const entries = readZipDirectory(bytes);
+  const content = await readZipXml(bytes, entries, 'content.xml');
+  const textBody = content.getElementsByTagNameNS(ODF_OFFICE_NS, 'text')[0];
+  if (!textBody) {
+    throw new Error('ODT document has no text body.');
+  }
+
+  const paragraphText = (el) => {
+    let text = '';
+    for (const node of el.childNodes) {
+      if (node.nodeType === Node.TEXT_NODE) text += node.textContent;
+      else if (node.localName === 's') text += ' '.repeat(Number(node.getAttribute('text:c')) || 1);
+      else if (node.localName === 'tab') text += '\t';
+      else if (node.localName === 'line-break') text += '\n';
+      else if (node.localName !== 'note') text += paragraphText(node);
+    }
+    return text;
+  };
+
+  const paragraphs = [];
+  const walk = (el) => {
+    for (const child of el.children) {
+      if (child.localName === 'h' || child.localName === 'p') {
+        const text = paragraphText(child).trim();
+        if (!text) continue;
+        const level = Number(child.getAttribute('text:outline-level')) || 1;
+        paragraphs.push({ text, isHeading: child.localName === 'h' && level <= 2 });
+      } else {
+        walk(child);
+      }
+    }
+  };
+  walk(textBody);
+
+  const meta = entries.has('meta.xml') ? await readZipXml(bytes, entries, 'meta.xml') : null;
+  return {
+    title: firstElementText(meta, 'title'),
+    author: firstElementText(meta, 'initial-creator') || firstElementText(meta, 'creator'),
+    ...paragraphsToDocument(paragraphs)
+  };
+}
+
+// --- Feeds (RSS/Atom) ---
+
+function childText(element, localName) {
+  const child = Array.from(element.children).find(el => el.localName === localName);
+  return child ? child.textContent.trim() : '';
+}
+
+/**
+ * Parses an RSS 2.0, RSS 1.0 (RDF) or Atom feed.
+ * @param {string} xml
+ * @param {string} feedUrl - Used to resolve relative entry links.
+ * @returns {{title: string, items: Array<{id: string, title: string, link: string, content: string}>}}
+ *   Items are in feed order, which is usually newest first.
+ */
+function parseFeed(xml, feedUrl) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The feed is not valid XML.');
+  }
+  const root = doc.documentElement;
+  const resolve = (href) => (href ? new URL(href, feedUrl).href : '');
+
+  if (root.localName === 'feed') {
+    const items = Array.from(root.children).filter(el => el.localName === 'entry').map(entry => {
+      const links = Array.from(entry.children).filter(el => el.localName === 'link');
+      const link = links.find(el => (el.getAttribute('rel') || 'alternate') === 'alternate') || links[0];
+      const href = resolve(link && link.getAttribute('href'));
+      return {
+        id: childText(entry, 'id') || href,
+        title: childText(entry, 'title'),
+        link: href,
+        content: childText(entry, 'content') || childText(entry, 'summary')
+      };
+    });
+    return { title: childText(root, 'title'), items };
+  }
+
+  if (root.localName !== 'rss' && root.localName !== 'RDF') {
+    throw new Error('This is not an RSS or Atom feed.');
+  }
+  // RSS 2.0 nests items in the channel, RSS 1.0 places them beside it.
+  const channel = Array.from(root.children).find(el => el.localName === 'channel');
+  const items = Array.from(doc.getElementsByTagNameNS('*', 'item')).map(item => {
+    const link = resolve(childText(item, 'link'));
+    return {
+      id: childText(item, 'guid') || link || childText(item, 'title'),
+      title: childText(item, 'title'),
+      link: link,
+      // content:encoded holds the full text, description often only a summary.
+      content: childText(item, 'encoded') || childText(item, 'description')
+    };
+  });
+  return { title: channel ? childText(channel, 'title') : '', items };
+}
+
 // Signal to the background script that the offscreen document is ready.
 chrome.runtime.sendMessage({ action: 'offscreenReady' });